@@ -0,0 +1,44 @@
+-- THEOPHYSICS Transcription Pipeline - upgrade for databases created from the original schema
+-- schema.sql only creates what is missing, so columns added to existing tables come from here.
+-- Run once, before schema.sql (npm run db-migrate does both). SQLite has no ADD COLUMN IF NOT
+-- EXISTS, so running it a second time fails on the first column that is already there.
+
+-- Video owners - rows from before authentication keep owner NULL (admin only)
+ALTER TABLE videos ADD COLUMN owner TEXT;
+
+-- TTS providers and stitched audiobooks
+ALTER TABLE tts_conversions ADD COLUMN tts_provider TEXT;
+ALTER TABLE tts_conversions ADD COLUMN stitched_file TEXT;
+ALTER TABLE tts_conversions ADD COLUMN manifest_file TEXT;
+
+-- Transcript sources - text stored for articles was never transcribed
+ALTER TABLE transcripts ADD COLUMN source TEXT DEFAULT 'whisper';
+UPDATE transcripts SET source = 'article'
+WHERE video_id IN (SELECT id FROM videos WHERE file_path = 'extracted');
+
+-- Transcript versions - existing transcripts are numbered per video in the order they were saved;
+-- canonical_transcript_id stays NULL so the latest one is used, as before
+ALTER TABLE videos ADD COLUMN canonical_transcript_id INTEGER;
+ALTER TABLE transcripts ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE transcripts ADD COLUMN parent_transcript_id INTEGER REFERENCES transcripts(id);
+ALTER TABLE transcripts ADD COLUMN edited_by TEXT;
+ALTER TABLE transcripts ADD COLUMN edit_note TEXT;
+UPDATE transcripts SET version = (
+    SELECT COUNT(*) FROM transcripts earlier
+    WHERE earlier.video_id = transcripts.video_id AND earlier.id <= transcripts.id
+);
+
+-- Analysis validation - earlier analyses count as valid, single-attempt results
+ALTER TABLE ai_analysis ADD COLUMN transcript_id INTEGER REFERENCES transcripts(id) ON DELETE SET NULL;
+ALTER TABLE ai_analysis ADD COLUMN status TEXT DEFAULT 'valid';
+ALTER TABLE ai_analysis ADD COLUMN attempts INTEGER DEFAULT 1;
+ALTER TABLE ai_analysis ADD COLUMN validation_errors TEXT;
+ALTER TABLE ai_analysis ADD COLUMN raw_response TEXT;
+
+-- Analysis templates - earlier analyses have no template version
+ALTER TABLE ai_analysis ADD COLUMN template_id INTEGER REFERENCES analysis_templates(id);
+
+-- Render cache - earlier renders have no request hash, so they are never served from the cache
+ALTER TABLE browser_renders ADD COLUMN file_size INTEGER;
+ALTER TABLE browser_renders ADD COLUMN owner TEXT;
+ALTER TABLE browser_renders ADD COLUMN request_hash TEXT;
@@ -16,12 +16,40 @@ CREATE TABLE IF NOT EXISTS videos (
     content_quality_score REAL, -- clarity, coherence, information density
     research_relevance_score REAL, -- THEOPHYSICS research relevance
     factual_accuracy_score REAL, -- scientific accuracy and rigor
-    tags TEXT, -- JSON array of tags/categories
+    tags TEXT, -- JSON array of assigned research category names, most relevant first (mirrors video_categories)
     metadata TEXT, -- JSON metadata (resolution, codec, etc.)
+    owner TEXT, -- owner ID of the API key that uploaded it (NULL for rows from before authentication - admin only)
+    canonical_transcript_id INTEGER, -- transcripts.id of the version analysis, TTS, search and exports use (NULL = latest)
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- API keys - only the SHA-256 hash of each key is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT, -- label, e.g. 'research laptop'
+    owner TEXT NOT NULL, -- user ID the key acts for; videos uploaded with it belong to this owner
+    key_prefix TEXT NOT NULL, -- first characters of the key, for recognising it in listings
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL DEFAULT '["read"]', -- JSON array: 'read', 'write', 'admin'
+    quotas TEXT, -- JSON per-key quota overrides: {"llm_tokens": {"day": 100000, "month": null}}
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_timestamp DATETIME,
+    revoked_timestamp DATETIME
+);
+
+-- Usage counters - metered work per API key and period; quotas are checked against these
+CREATE TABLE IF NOT EXISTS usage_counters (
+    subject TEXT NOT NULL, -- 'key:{api_keys.id}', or 'admin' / 'local' for the bootstrap key and AUTH_DISABLED
+    metric TEXT NOT NULL, -- 'whisper_seconds', 'llm_tokens', 'tts_characters', 'render_calls'
+    period TEXT NOT NULL, -- 'day' or 'month'
+    period_start TEXT NOT NULL, -- UTC '2025-01-31' for days, '2025-01' for months
+    amount REAL NOT NULL DEFAULT 0,
+    updated_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (subject, metric, period, period_start)
+);
+
 -- Transcripts table - stores the transcribed text
 CREATE TABLE IF NOT EXISTS transcripts (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -29,38 +57,133 @@ CREATE TABLE IF NOT EXISTS transcripts (
     transcript_text TEXT NOT NULL,
     language_detected TEXT DEFAULT 'en',
     confidence_score REAL DEFAULT 0.95,
-    timestamp_data TEXT, -- JSON with timestamped segments
+    timestamp_data TEXT, -- JSON: {"segments": [{"start": 0.0, "end": 4.2, "text": "...", "speaker": "S1"}]} (speaker once diarized)
     word_count INTEGER,
     processing_time_ms INTEGER,
     whisper_model TEXT DEFAULT '@cf/openai/whisper',
+    source TEXT DEFAULT 'whisper', -- 'whisper', 'article', 'edit' for human corrections, 'glossary' for re-normalized versions, 'diarization' for speaker-labelled versions, or 'captions:{fetcher}' for imported captions
+    version INTEGER NOT NULL DEFAULT 1, -- numbered per video, in the order versions were saved
+    parent_transcript_id INTEGER REFERENCES transcripts(id), -- the version an edit was made from
+    edited_by TEXT, -- owner ID of the API key that saved an edit
+    edit_note TEXT, -- editor's description of the change
     created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (video_id) REFERENCES videos(id)
 );
 
+-- Video speakers - display names and TTS voices for the speaker labels ('S1', 'S2', ...) in a video's segments
+CREATE TABLE IF NOT EXISTS video_speakers (
+    video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+    label TEXT NOT NULL, -- label used in timestamp_data segments
+    name TEXT, -- display name, e.g. 'Stuart Hameroff' (NULL = 'Speaker 1')
+    voice TEXT, -- TTS voice for this speaker's turns (NULL = the conversion's voice)
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (video_id, label)
+);
+
+-- Transcription chunks - per-window progress for long recordings (windows are transcribed separately and merged)
+CREATE TABLE IF NOT EXISTS transcription_chunks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    byte_offset INTEGER NOT NULL, -- window position in the source file
+    byte_length INTEGER NOT NULL,
+    start_seconds REAL, -- estimated start time of the window
+    status TEXT DEFAULT 'pending', -- 'pending', 'processing', 'completed', 'failed'
+    transcript_text TEXT,
+    words TEXT, -- JSON array of Whisper word timings, relative to the window start
+    processing_time_ms INTEGER,
+    error TEXT,
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (video_id, chunk_index)
+);
+
+-- Transcript passages - chunks embedded for semantic search; the vectors live in Vectorize under vector_id
+CREATE TABLE IF NOT EXISTS transcript_passages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+    transcript_id INTEGER REFERENCES transcripts(id) ON DELETE CASCADE,
+    passage_index INTEGER NOT NULL,
+    vector_id TEXT NOT NULL UNIQUE, -- 't{transcript_id}-p{passage_index}'
+    passage_text TEXT NOT NULL,
+    start_seconds REAL, -- null when the transcript has no timestamp data
+    end_seconds REAL,
+    speaker TEXT, -- speaker label when the passage is a single speaker's turn
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Analysis templates - versioned analysis types; /analyze runs the active version of each type
+CREATE TABLE IF NOT EXISTS analysis_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL, -- type name used in analysisTypes, e.g. 'relevance'
+    version INTEGER NOT NULL, -- numbered per name; every change saves a new version
+    description TEXT,
+    prompt_template TEXT NOT NULL, -- prompt with {{title}}, {{transcript}} and {{timed_transcript}} placeholders
+    model TEXT NOT NULL DEFAULT '@cf/meta/llama-3.1-8b-instruct', -- Workers AI text generation model
+    output_schema TEXT NOT NULL, -- JSON schema the model's response must match
+    weight REAL NOT NULL DEFAULT 1, -- weight of the result's score in videos.ai_rating_score (0 = not rated)
+    active BOOLEAN DEFAULT FALSE, -- at most one active version per name; none = the type is disabled
+    created_by TEXT, -- owner ID of the API key that saved the version
+    note TEXT, -- description of the change
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (name, version)
+);
+
 -- AI Analysis table - stores detailed AI analysis results
 CREATE TABLE IF NOT EXISTS ai_analysis (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
-    analysis_type TEXT NOT NULL, -- 'quality', 'relevance', 'factual', 'topic_extraction', 'sentiment'
-    analysis_result TEXT NOT NULL, -- JSON result with scores and details
-    confidence_score REAL DEFAULT 0.8,
+    transcript_id INTEGER REFERENCES transcripts(id) ON DELETE SET NULL, -- the transcript version that was analyzed
+    template_id INTEGER REFERENCES analysis_templates(id), -- the template version that produced it
+    analysis_type TEXT NOT NULL, -- analysis_templates.name, e.g. 'quality', 'relevance', 'factual', or the summary types 'abstract', 'chapters', 'claims', 'entities'
+    analysis_result TEXT NOT NULL, -- JSON result with scores and details (the last parsed response when invalid, or null)
+    status TEXT DEFAULT 'valid', -- 'valid', or 'invalid' when no response matched the type's schema (never scored)
+    attempts INTEGER DEFAULT 1, -- model calls, including re-asks after validation errors
+    validation_errors TEXT, -- JSON array of schema errors from the last attempt
+    raw_response TEXT, -- model output of the last attempt, kept for invalid results
+    confidence_score REAL, -- transcript confidence, lowered by re-asks and invalid sections; NULL when invalid
     processing_model TEXT, -- which AI model was used
-    processing_time_ms INTEGER,
+    processing_time_ms INTEGER, -- all attempts, measured
     created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (video_id) REFERENCES videos(id)
 );
 
+-- Analysis sections - per-section results of analyses of long transcripts (map-reduce), so the
+-- dashboard can show which part of a talk scored high
+CREATE TABLE IF NOT EXISTS analysis_sections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    analysis_id INTEGER REFERENCES ai_analysis(id) ON DELETE CASCADE,
+    video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+    section_index INTEGER NOT NULL,
+    start_seconds REAL, -- null when the transcript has no timestamp data
+    end_seconds REAL,
+    char_count INTEGER,
+    status TEXT DEFAULT 'valid', -- 'valid' or 'invalid', as in ai_analysis
+    score REAL,
+    summary TEXT, -- one or two sentences on what the section covers
+    section_result TEXT, -- JSON result for the section in the analysis type's format
+    validation_errors TEXT,
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Text-to-Speech table - tracks TTS conversions
 CREATE TABLE IF NOT EXISTS tts_conversions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
     transcript_id INTEGER REFERENCES transcripts(id) ON DELETE CASCADE,
     voice_model TEXT DEFAULT 'alloy',
+    tts_provider TEXT, -- 'workers-ai', 'elevenlabs', 'stub'
     chunk_count INTEGER,
     total_duration_seconds REAL,
     audio_files TEXT, -- JSON array of R2 paths to audio chunks
+    stitched_file TEXT, -- R2 path of the concatenated audiobook file (optional)
+    manifest_file TEXT, -- R2 path of the chapter/offset manifest for the stitched file
     conversion_status TEXT DEFAULT 'pending', -- 'pending', 'processing', 'completed', 'failed'
     processing_time_ms INTEGER,
     created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -93,6 +216,31 @@ CREATE TABLE IF NOT EXISTS video_categories (
     FOREIGN KEY (category_id) REFERENCES research_categories(id)
 );
 
+-- Glossary - research vocabulary that transcripts are corrected towards after Whisper
+CREATE TABLE IF NOT EXISTS glossary_terms (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    term TEXT NOT NULL UNIQUE COLLATE NOCASE, -- correct spelling, e.g. 'Hameroff'
+    variants TEXT NOT NULL DEFAULT '[]', -- JSON array of known mis-transcriptions, e.g. ["hammer off"]
+    fuzzy BOOLEAN DEFAULT TRUE, -- also match near spellings and sound-alikes, not just the variants
+    notes TEXT,
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Glossary corrections - one row per substitution made in a transcript
+CREATE TABLE IF NOT EXISTS glossary_corrections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+    transcript_id INTEGER REFERENCES transcripts(id) ON DELETE CASCADE,
+    term_id INTEGER REFERENCES glossary_terms(id) ON DELETE SET NULL,
+    original TEXT NOT NULL, -- the words as transcribed
+    replacement TEXT NOT NULL,
+    match_type TEXT NOT NULL, -- 'exact' (case, accents or spacing), 'variant', 'fuzzy' or 'phonetic'
+    segment_index INTEGER, -- null for transcripts without timestamp data
+    start_seconds REAL,
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Search queries table - for analytics and improving search
 CREATE TABLE IF NOT EXISTS search_queries (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -105,50 +253,219 @@ CREATE TABLE IF NOT EXISTS search_queries (
     created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
--- Browser renders table - tracks web content extraction for research
+-- Conversations - questions asked of the library with POST /ask; follow-ups continue one
+CREATE TABLE IF NOT EXISTS conversations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT, -- owner ID of the API key that started it; other owners cannot read or continue it
+    title TEXT, -- the first question
+    message_count INTEGER DEFAULT 0,
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS conversation_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+    role TEXT NOT NULL, -- 'user' (a question) or 'assistant' (its answer)
+    content TEXT NOT NULL,
+    search_query TEXT, -- questions: the standalone query passages were retrieved with
+    sources TEXT, -- answers: JSON array of the numbered passages the model was given, with `cited`
+    processing_model TEXT,
+    processing_time_ms INTEGER,
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Browser renders table - tracks web content extraction for research; recent renders double as
+-- the /render cache (same request_hash)
 CREATE TABLE IF NOT EXISTS browser_renders (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     url TEXT NOT NULL,
-    render_type TEXT NOT NULL, -- 'markdown', 'pdf', 'json', 'content', 'links', 'screenshot'
+    render_type TEXT NOT NULL, -- 'markdown', 'content', 'links', 'json', 'scrape', 'snapshot', 'pdf', 'screenshot'
     prompt TEXT, -- for AI-driven extraction
-    result_data TEXT, -- JSON result from Browser Rendering API
+    result_data TEXT, -- JSON result from Browser Rendering API (null for PDFs/screenshots)
     success BOOLEAN DEFAULT TRUE,
-    file_path TEXT, -- R2 path for PDFs/screenshots
-    processing_time INTEGER,
-    tokens_used INTEGER, -- for AI extraction types
+    file_path TEXT, -- R2 path for PDFs/screenshots, under renders/
+    file_size INTEGER, -- bytes
+    processing_time INTEGER, -- milliseconds the API call took
+    tokens_used INTEGER, -- for AI extraction types, estimated from the prompt and result
     related_video_id INTEGER REFERENCES videos(id), -- if linked to a video transcript
     research_category TEXT, -- THEOPHYSICS category
+    owner TEXT, -- owner ID of the API key that rendered it
+    request_hash TEXT, -- SHA-256 of the type and request options, the cache key
     created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (related_video_id) REFERENCES videos(id)
 );
 
+-- Jobs table - D1-backed queue for transcription, analysis and TTS (drained by the cron trigger)
+CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_type TEXT NOT NULL, -- 'transcribe', 'diarize', 'analyze', 'tts', 'pipeline_stage', 'crawl', 'batch_item'
+    video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+    payload TEXT, -- JSON options passed to the job handler
+    usage_subject TEXT, -- usage_counters subject the job's metered work is billed to
+    status TEXT DEFAULT 'queued', -- 'queued', 'running', 'completed', 'dead'
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    run_after DATETIME DEFAULT CURRENT_TIMESTAMP, -- next attempt time (backoff)
+    locked_at DATETIME, -- when the current attempt started
+    last_error TEXT,
+    result TEXT, -- JSON result from the job handler
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_timestamp DATETIME
+);
+
+-- Batches - items ingested together: an import of URLs and files (POST /batches) or a crawl,
+-- the batch of pages found from its seed URL
+CREATE TABLE IF NOT EXISTS batches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL, -- 'import', 'crawl'
+    name TEXT, -- optional label for an import
+    seed_url TEXT, -- page a crawl starts from
+    config TEXT, -- JSON defaults (source type, tags), crawl options (maxDepth, maxPages, filters) and pipeline config
+    status TEXT DEFAULT 'running', -- 'running', 'completed' (once no item is pending)
+    owner TEXT, -- owner ID of the API key that started it
+    key_id INTEGER, -- that key - the batch's jobs act as it
+    scopes TEXT, -- JSON scopes of that key
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_timestamp DATETIME
+);
+
+-- Batch items - one URL, file or crawled page of a batch, processed by its own job
+CREATE TABLE IF NOT EXISTS batch_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    batch_id INTEGER NOT NULL REFERENCES batches(id) ON DELETE CASCADE,
+    url TEXT, -- NULL for uploaded files
+    depth INTEGER DEFAULT 0, -- crawls: links followed from the seed page
+    parent_item_id INTEGER REFERENCES batch_items(id), -- crawls: page the link was found on
+    title TEXT, -- imports: title for the new video, from the manifest or file name
+    source_type TEXT,
+    content_type TEXT, -- imports: 'article' or 'video_url' for URLs, NULL for files
+    tags TEXT, -- imports: JSON array of research category IDs assigned to the new video
+    file_path TEXT, -- imports: R2 key of an uploaded file
+    file_name TEXT, -- imports: the file's original name
+    status TEXT DEFAULT 'pending', -- 'pending', 'running', 'retrying', 'ingested', 'skipped', 'failed', 'crawled' (links followed, not ingested)
+    video_id INTEGER REFERENCES videos(id) ON DELETE SET NULL, -- the new video or article, or the existing one a skipped URL matched
+    render_id INTEGER REFERENCES browser_renders(id), -- markdown render an article came from
+    links_found INTEGER, -- crawls: links on the page that passed the filters
+    job_id INTEGER REFERENCES jobs(id),
+    error TEXT,
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (batch_id, url)
+);
+
+-- Pipeline runs - one automatic processing run per upload (or reprocess request)
+CREATE TABLE IF NOT EXISTS pipeline_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+    stages TEXT NOT NULL, -- JSON array of stages after upload, e.g. ["transcribe", "analyze", "categorize"]
+    config TEXT, -- JSON pipeline config (stages, analysisTypes, diarization and tts options)
+    usage_subject TEXT, -- usage_counters subject, passed on to each stage job
+    status TEXT DEFAULT 'running', -- 'running', 'completed', 'failed'
+    current_stage TEXT,
+    created_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_timestamp DATETIME
+);
+
+-- Pipeline stages - per-stage status for the dashboard
+CREATE TABLE IF NOT EXISTS pipeline_stages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_id INTEGER REFERENCES pipeline_runs(id) ON DELETE CASCADE,
+    video_id INTEGER REFERENCES videos(id) ON DELETE CASCADE,
+    stage TEXT NOT NULL, -- 'upload', 'ingest', 'transcribe', 'diarize', 'analyze', 'summarize', 'categorize', 'tts'
+    position INTEGER NOT NULL,
+    status TEXT DEFAULT 'pending', -- 'pending', 'queued', 'running', 'retrying', 'completed', 'skipped', 'failed'
+    job_id INTEGER REFERENCES jobs(id),
+    error TEXT,
+    started_timestamp DATETIME,
+    completed_timestamp DATETIME
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_videos_status ON videos(transcription_status);
 CREATE INDEX IF NOT EXISTS idx_videos_rating ON videos(ai_rating_score DESC);
 CREATE INDEX IF NOT EXISTS idx_videos_upload_date ON videos(upload_timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_videos_source_type ON videos(source_type);
+CREATE INDEX IF NOT EXISTS idx_videos_owner ON videos(owner);
+CREATE INDEX IF NOT EXISTS idx_videos_url ON videos(url);
 
 CREATE INDEX IF NOT EXISTS idx_transcripts_video_id ON transcripts(video_id);
+CREATE INDEX IF NOT EXISTS idx_transcripts_video_version ON transcripts(video_id, version);
 CREATE INDEX IF NOT EXISTS idx_transcripts_language ON transcripts(language_detected);
 CREATE INDEX IF NOT EXISTS idx_transcripts_word_count ON transcripts(word_count);
+CREATE INDEX IF NOT EXISTS idx_transcript_passages_video_id ON transcript_passages(video_id);
+
+CREATE INDEX IF NOT EXISTS idx_glossary_corrections_video_id ON glossary_corrections(video_id, transcript_id);
+
+CREATE INDEX IF NOT EXISTS idx_video_categories_category_id ON video_categories(category_id, relevance_score DESC);
+CREATE INDEX IF NOT EXISTS idx_research_categories_parent ON research_categories(parent_category_id);
 
 CREATE INDEX IF NOT EXISTS idx_analysis_video_id ON ai_analysis(video_id);
 CREATE INDEX IF NOT EXISTS idx_analysis_type ON ai_analysis(analysis_type);
 CREATE INDEX IF NOT EXISTS idx_analysis_timestamp ON ai_analysis(created_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_analysis_templates_active ON analysis_templates(name, active);
+CREATE INDEX IF NOT EXISTS idx_analysis_sections_analysis_id ON analysis_sections(analysis_id, section_index);
+CREATE INDEX IF NOT EXISTS idx_analysis_sections_video_id ON analysis_sections(video_id);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_owner ON conversations(owner, updated_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation_id ON conversation_messages(conversation_id, id);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after ON jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_jobs_video_id ON jobs(video_id);
+
+CREATE INDEX IF NOT EXISTS idx_batches_owner ON batches(owner, id DESC);
+CREATE INDEX IF NOT EXISTS idx_batch_items_batch_id ON batch_items(batch_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_runs_video_id ON pipeline_runs(video_id);
+CREATE INDEX IF NOT EXISTS idx_pipeline_stages_run_id ON pipeline_stages(run_id, position);
+
+CREATE INDEX IF NOT EXISTS idx_tts_conversions_video_id ON tts_conversions(video_id);
 
 CREATE INDEX IF NOT EXISTS idx_browser_renders_url ON browser_renders(url);
 CREATE INDEX IF NOT EXISTS idx_browser_renders_type ON browser_renders(render_type);
 CREATE INDEX IF NOT EXISTS idx_browser_renders_timestamp ON browser_renders(created_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_browser_renders_request_hash ON browser_renders(request_hash, created_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_browser_renders_related_video_id ON browser_renders(related_video_id);
 
 -- Full-text search on transcripts (SQLite FTS5)
+-- rowid is transcripts.id; the video title is copied in so it can be ranked and highlighted.
+-- The table is rebuilt from transcripts every time this schema runs and kept in sync by the triggers below.
+DROP TABLE IF EXISTS transcripts_fts;
 CREATE VIRTUAL TABLE IF NOT EXISTS transcripts_fts USING fts5(
     transcript_text, 
     title, 
-    content='transcripts', 
-    content_rowid='id'
+    tokenize = 'porter unicode61'
 );
 
+INSERT INTO transcripts_fts (rowid, transcript_text, title)
+SELECT t.id, t.transcript_text, v.title
+FROM transcripts t
+JOIN videos v ON t.video_id = v.id;
+
+CREATE TRIGGER IF NOT EXISTS transcripts_fts_insert AFTER INSERT ON transcripts BEGIN
+    INSERT INTO transcripts_fts (rowid, transcript_text, title)
+    VALUES (new.id, new.transcript_text, (SELECT title FROM videos WHERE id = new.video_id));
+END;
+
+CREATE TRIGGER IF NOT EXISTS transcripts_fts_delete AFTER DELETE ON transcripts BEGIN
+    DELETE FROM transcripts_fts WHERE rowid = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS transcripts_fts_update AFTER UPDATE OF transcript_text, video_id ON transcripts BEGIN
+    DELETE FROM transcripts_fts WHERE rowid = old.id;
+    INSERT INTO transcripts_fts (rowid, transcript_text, title)
+    VALUES (new.id, new.transcript_text, (SELECT title FROM videos WHERE id = new.video_id));
+END;
+
+CREATE TRIGGER IF NOT EXISTS videos_fts_title_update AFTER UPDATE OF title ON videos BEGIN
+    UPDATE transcripts_fts SET title = new.title
+    WHERE rowid IN (SELECT id FROM transcripts WHERE video_id = new.id);
+END;
+
 -- Insert default THEOPHYSICS research categories
 INSERT OR IGNORE INTO research_categories (name, description, relevance_keywords) VALUES
 ('Quantum Physics', 'Quantum mechanics, measurement problem, entanglement', '["quantum", "entanglement", "superposition", "measurement", "wave function", "decoherence"]'),
@@ -165,6 +482,72 @@ INSERT OR IGNORE INTO research_categories (name, description, relevance_keywords
 ('Timeline Studies', 'Temporal mechanics, time travel, causality', '["time", "temporal", "causality", "timeline", "chronology", "future"]'),
 ('Biblical Science', 'Scientific analysis of biblical texts and concepts', '["biblical", "scripture", "genesis", "creation", "divine", "theological"]');
 
+-- Default glossary - terms from the research categories that Whisper often gets wrong
+INSERT OR IGNORE INTO glossary_terms (term, variants) VALUES
+('decoherence', '["de coherence", "decoherents"]'),
+('Hameroff', '["hammer off", "hammeroff", "hamer off"]'),
+('microtubules', '["micro tubules", "micro tubes", "microtubes"]'),
+('Penrose', '["pen rose", "penn rose"]'),
+('Schrödinger', '["schrodinger", "shrodinger", "schroedinger"]'),
+('superposition', '["super position"]'),
+('entanglement', '["in tanglement", "entanglment"]'),
+('qubit', '["cube it", "q bit"]'),
+('Fibonacci', '["fibbonacci", "fibonaci"]');
+
+-- Built-in analysis types - edit them through /analysis-types, which saves new versions
+INSERT OR IGNORE INTO analysis_templates (name, version, description, prompt_template, output_schema, weight, active) VALUES
+('quality', 1, 'Content quality - clarity, coherence, information density and research value', 'Analyze the following transcript for content quality. Rate from 0-10 based on clarity, coherence, information density, and overall value for scientific research. Return JSON with score and reasoning.
+
+Title: {{title}}
+Transcript: {{transcript}}
+
+Return format: {"score": 8.5, "reasoning": "Clear explanations, good structure...", "factors": {"clarity": 9, "coherence": 8, "density": 8}}',
+ '{"type":"object","required":["score","reasoning"],"properties":{"score":{"type":"number","minimum":0,"maximum":10},"reasoning":{"type":"string","minLength":1},"factors":{"type":"object","additionalProperties":{"type":"number","minimum":0,"maximum":10}}}}', 1, TRUE),
+('relevance', 1, 'THEOPHYSICS research relevance, with the topics the categorizer uses', 'Analyze this transcript for relevance to THEOPHYSICS research: quantum physics, consciousness studies, spirituality, advanced theoretical physics, prophecy, and interdisciplinary science. Rate 0-10.
+
+Title: {{title}}
+Transcript: {{transcript}}
+
+Return format: {"score": 7.2, "topics": ["quantum consciousness", "measurement problem"], "theophysics_factors": {"quantum_physics": 8, "consciousness": 9, "spirituality": 6, "prophecy": 4}}',
+ '{"type":"object","required":["score","topics"],"properties":{"score":{"type":"number","minimum":0,"maximum":10},"topics":{"type":"array","items":{"type":"string","minLength":1}},"theophysics_factors":{"type":"object","additionalProperties":{"type":"number","minimum":0,"maximum":10}}}}', 1, TRUE),
+('factual', 1, 'Factual accuracy and scientific rigor', 'Analyze this transcript for factual accuracy and scientific rigor. Rate 0-10 based on verifiable claims, logical consistency, and scientific validity.
+
+Title: {{title}}
+Transcript: {{transcript}}
+
+Return format: {"score": 6.8, "claims_analysis": ["accurate physics concepts", "unverified spiritual claims"], "accuracy_factors": {"scientific_rigor": 7, "logical_consistency": 8, "verifiability": 5}}',
+ '{"type":"object","required":["score"],"properties":{"score":{"type":"number","minimum":0,"maximum":10},"claims_analysis":{"type":"array","items":{"type":"string"}},"accuracy_factors":{"type":"object","additionalProperties":{"type":"number","minimum":0,"maximum":10}}}}', 1, TRUE),
+('abstract', 1, 'Summary - an abstract and key takeaways (not rated)', 'Write an abstract of this transcript for a researcher deciding whether to watch or read it: what it argues, how, and who it is for. Add up to five key takeaways.
+
+Title: {{title}}
+Transcript: {{transcript}}
+
+Return format: {"abstract": "The speaker argues that...", "takeaways": ["Observation is treated as a physical process", "..."]}',
+ '{"type":"object","required":["abstract"],"properties":{"abstract":{"type":"string","minLength":1},"takeaways":{"type":"array","maxItems":5,"items":{"type":"string","minLength":1}}}}', 0, TRUE),
+('chapters', 1, 'Summary - chapters with start timestamps (not rated)', 'Split this transcript into chapters where the topic changes. Each line starts with an [HH:MM:SS] timestamp - give every chapter the timestamp of the line it starts at, a short title and a one-sentence summary.
+
+Title: {{title}}
+Transcript:
+{{timed_transcript}}
+
+Return format: {"chapters": [{"start": "00:00:00", "title": "Introduction", "summary": "The speaker introduces the measurement problem."}]}',
+ '{"type":"object","required":["chapters"],"properties":{"chapters":{"type":"array","minItems":1,"items":{"type":"object","required":["start","title"],"properties":{"start":{"type":["string","number"]},"title":{"type":"string","minLength":1},"summary":{"type":"string"}}}}}}', 0, TRUE),
+('claims', 1, 'Summary - key claims with supporting quotes (not rated)', 'List the key claims in this transcript - up to eight statements the speaker presents as true about physics, theology, history or consciousness. For each claim copy a short quote word for word from the transcript that supports it (without the timestamp) and classify the claim.
+
+Title: {{title}}
+Transcript:
+{{timed_transcript}}
+
+Return format: {"claims": [{"claim": "Consciousness collapses the wave function", "quote": "the observer is what makes the wave collapse", "kind": "scientific"}]}',
+ '{"type":"object","required":["claims"],"properties":{"claims":{"type":"array","maxItems":8,"items":{"type":"object","required":["claim","quote"],"properties":{"claim":{"type":"string","minLength":1},"quote":{"type":"string","minLength":1},"kind":{"type":"string","enum":["scientific","theological","historical","philosophical","other"]}}}}}}', 0, TRUE),
+('entities', 1, 'Summary - people, theories and scriptures mentioned (not rated)', 'List the named entities in this transcript: people (scientists, theologians, biblical figures), theories (scientific and theological models, e.g. "many-worlds interpretation") and scriptures (book, chapter and verse when given, e.g. "John 1:1"). Name each once, spelled out in full.
+
+Title: {{title}}
+Transcript: {{transcript}}
+
+Return format: {"people": ["John Wheeler"], "theories": ["participatory universe"], "scriptures": ["Genesis 1:3"]}',
+ '{"type":"object","required":["people","theories","scriptures"],"properties":{"people":{"type":"array","items":{"type":"string","minLength":1}},"theories":{"type":"array","items":{"type":"string","minLength":1}},"scriptures":{"type":"array","items":{"type":"string","minLength":1}}}}', 0, TRUE);
+
 -- Views for common queries
 CREATE VIEW IF NOT EXISTS high_quality_videos AS
 SELECT 
@@ -174,6 +557,7 @@ SELECT
     GROUP_CONCAT(rc.name, ', ') as categories
 FROM videos v
 JOIN transcripts t ON v.id = t.video_id
+    AND t.id = COALESCE(v.canonical_transcript_id, (SELECT MAX(id) FROM transcripts WHERE video_id = v.id))
 LEFT JOIN video_categories vc ON v.id = vc.video_id
 LEFT JOIN research_categories rc ON vc.category_id = rc.id
 WHERE v.ai_rating_score >= 7.0
@@ -187,6 +571,7 @@ SELECT
     a.analysis_result as relevance_analysis
 FROM videos v
 JOIN transcripts t ON v.id = t.video_id
+    AND t.id = COALESCE(v.canonical_transcript_id, (SELECT MAX(id) FROM transcripts WHERE video_id = v.id))
 JOIN ai_analysis a ON v.id = a.video_id
 WHERE a.analysis_type = 'relevance'
     AND v.research_relevance_score >= 6.0